@@ -0,0 +1,208 @@
+/**
+ * Pullai Data Partners - Config Schema Validation
+ * Small JSON Schema subset shared by the browser (window.ConfigSchema, loaded
+ * in development mode only) and the Node scripts
+ * (require('../assets/js/config-schema.js'))
+ *
+ * Supported keywords:
+ *   type (string or list; 'integer' included)   enum
+ *   properties  required  additionalProperties   items  minItems
+ *   minimum  maximum  minLength  pattern          $ref ('#/$defs/<name>')
+ *   patternMessage (not standard: reason shown when `pattern` fails)
+ *
+ * Errors carry the path of the value in the file and a readable reason,
+ * e.g. { path: 'testimonials[2].rating', message: 'must be 1–5' }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ConfigSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list',
+    null: 'null'
+  };
+
+  // ========================================
+  // Helpers
+  // ========================================
+
+  /**
+   * Get the JSON Schema type of a value
+   * @param {*} value - Any JSON value
+   * @returns {string} Type name ('integer' numbers also match 'number')
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  /**
+   * Check a value against one of the types allowed by a schema
+   * @param {*} value - Any JSON value
+   * @param {string[]} types - Allowed types
+   * @returns {boolean} Whether the value matches
+   */
+  function matchesType(value, types) {
+    const type = typeOf(value);
+    return types.includes(type) || (type === 'integer' && types.includes('number'));
+  }
+
+  /**
+   * Build the path of a child value
+   * @param {string} path - Path of the parent
+   * @param {string|number} key - Property name or array index
+   * @returns {string} e.g. 'clients[0].name'
+   */
+  function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Resolve a local $ref
+   * @param {Object} rootSchema - Schema holding the definitions
+   * @param {string} ref - e.g. '#/$defs/localizedText'
+   * @returns {Object} Referenced schema
+   */
+  function resolveRef(rootSchema, ref) {
+    const target = ref
+      .replace(/^#\/?/, '')
+      .split('/')
+      .filter(Boolean)
+      .reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+
+    if (!target) throw new Error(`Unknown schema reference ${ref}`);
+    return target;
+  }
+
+  // ========================================
+  // Validation
+  // ========================================
+
+  /**
+   * Describe a failed range check
+   * @param {Object} schema - Schema with minimum and/or maximum
+   * @returns {string} Reason
+   */
+  function rangeMessage(schema) {
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+      return `must be ${schema.minimum}–${schema.maximum}`;
+    }
+    return schema.minimum !== undefined
+      ? `must be at least ${schema.minimum}`
+      : `must be at most ${schema.maximum}`;
+  }
+
+  /**
+   * Validate a value and collect every error below it
+   * @param {Object} schema - Schema of the value
+   * @param {*} value - Value to check
+   * @param {string} path - Path of the value
+   * @param {Object} rootSchema - Schema holding the definitions
+   * @param {Array<{path: string, message: string}>} errors - Collected errors
+   */
+  function check(schema, value, path, rootSchema, errors) {
+    if (schema.$ref) {
+      check(resolveRef(rootSchema, schema.$ref), value, path, rootSchema, errors);
+      return;
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!matchesType(value, types)) {
+        errors.push({ path, message: `must be ${types.map(type => TYPE_NAMES[type] || type).join(' or ')}` });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+      return;
+    }
+
+    const type = typeOf(value);
+
+    if (type === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({
+          path,
+          message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`
+        });
+      } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: schema.patternMessage || `must match ${schema.pattern}` });
+      }
+    }
+
+    if (type === 'integer' || type === 'number') {
+      if ((schema.minimum !== undefined && value < schema.minimum) ||
+          (schema.maximum !== undefined && value > schema.maximum)) {
+        errors.push({ path, message: rangeMessage(schema) });
+      }
+    }
+
+    if (type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => check(schema.items, item, childPath(path, index), rootSchema, errors));
+      }
+    }
+
+    if (type === 'object') {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push({ path: childPath(path, key), message: 'is required' });
+        }
+      });
+
+      Object.keys(value).forEach(key => {
+        if (properties[key]) {
+          check(properties[key], value[key], childPath(path, key), rootSchema, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath(path, key), message: 'is not allowed' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          check(schema.additionalProperties, value[key], childPath(path, key), rootSchema, errors);
+        }
+      });
+    }
+  }
+
+  /**
+   * Validate parsed JSON against a schema
+   * @param {Object} schema - JSON Schema (supported subset, see above)
+   * @param {*} data - Parsed JSON
+   * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+   */
+  function validate(schema, data) {
+    const errors = [];
+    check(schema, data, '', schema, errors);
+    return errors;
+  }
+
+  /**
+   * Format an error as one line
+   * @param {{path: string, message: string}} error - Validation error
+   * @returns {string} e.g. 'testimonials[2].rating must be 1–5'
+   */
+  function formatError(error) {
+    return `${error.path || '(root)'} ${error.message}`;
+  }
+
+  return {
+    validate,
+    formatError
+  };
+});
@@ -0,0 +1,487 @@
+/**
+ * Pullai Data Partners - Translation Message Formatting
+ * Small ICU MessageFormat subset shared by the browser (window.I18nFormat)
+ * and the Node build scripts (require('../assets/js/i18n-format.js'))
+ *
+ * Supported syntax:
+ *   {name}                              plain argument
+ *   {n, number}  {n, number, integer}   Intl.NumberFormat
+ *   {n, number, percent}                0.8 -> 80%
+ *   {n, number, currency}               currency from args.currency or CLP
+ *   {n, number, ::currency/USD}         explicit currency
+ *   {d, date, short|medium|long|full}   Intl.DateTimeFormat
+ *   {d, time, short|medium|long|full}
+ *   {n, plural, =0 {…} one {# item} other {# items}}
+ *   {n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ *   {g, select, a {…} other {…}}
+ *   '{' quotes a literal brace, '' is a literal apostrophe
+ *
+ * Rich text (elements with data-i18n-html) goes through sanitizeHtml, which
+ * keeps <strong>, <em>, <br> and <a href> with safe schemes and escapes
+ * everything else.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18nFormat = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_CURRENCY = 'CLP';
+
+  // Tags kept by sanitizeHtml and the attributes each one may carry
+  const ALLOWED_TAGS = {
+    strong: [],
+    em: [],
+    br: [],
+    a: ['href']
+  };
+
+  const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+  // Named character references decoded in attribute values (others are kept
+  // literally and escaped, so the browser cannot decode them either)
+  const NAMED_REFERENCES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: '\u00a0',
+    colon: ':',
+    sol: '/',
+    tab: '\t',
+    newline: '\n',
+    lpar: '(',
+    rpar: ')',
+    period: '.',
+    comma: ','
+  };
+
+  // Parsed messages keyed by source string
+  const parseCache = new Map();
+
+  // ========================================
+  // Parsing
+  // ========================================
+
+  /**
+   * Parse a message into a list of text and argument nodes
+   * @param {string} message - ICU message
+   * @returns {Array} Nodes
+   */
+  function parse(message) {
+    if (!parseCache.has(message)) {
+      const state = { message, index: 0 };
+      parseCache.set(message, parseNodes(state, false, false));
+    }
+
+    return parseCache.get(message);
+  }
+
+  /**
+   * Parse nodes until the end of the message or the closing brace of a branch
+   * @param {{message: string, index: number}} state - Parser position
+   * @param {boolean} inBranch - Stop at an unmatched '}'
+   * @param {boolean} inPlural - Treat '#' as the plural number
+   * @returns {Array} Nodes
+   */
+  function parseNodes(state, inBranch, inPlural) {
+    const nodes = [];
+    let text = '';
+    const { message } = state;
+
+    while (state.index < message.length) {
+      const char = message[state.index];
+
+      if (char === '\'') {
+        const next = message[state.index + 1];
+
+        if (next === '\'') {
+          text += '\'';
+          state.index += 2;
+          continue;
+        }
+
+        // A quote only starts a literal before a syntax character
+        if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          const end = message.indexOf('\'', state.index + 1);
+          const stop = end === -1 ? message.length : end;
+          text += message.slice(state.index + 1, stop).replace(/''/g, '\'');
+          state.index = stop + 1;
+          continue;
+        }
+
+        text += char;
+        state.index += 1;
+        continue;
+      }
+
+      if (char === '{') {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+        nodes.push(parseArgument(state));
+        continue;
+      }
+
+      if (char === '}' && inBranch) {
+        break;
+      }
+
+      if (char === '#' && inPlural) {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+        nodes.push({ type: 'pound' });
+        state.index += 1;
+        continue;
+      }
+
+      text += char;
+      state.index += 1;
+    }
+
+    if (text) nodes.push({ type: 'text', value: text });
+    return nodes;
+  }
+
+  /**
+   * Parse a {name, type, style} argument starting at '{'
+   * @param {{message: string, index: number}} state - Parser position
+   * @returns {Object} Argument node
+   */
+  function parseArgument(state) {
+    const { message } = state;
+    state.index += 1;
+
+    const header = readUntil(state, /[,}]/);
+    const name = header.trim();
+
+    if (message[state.index] === '}') {
+      state.index += 1;
+      return { type: 'argument', name };
+    }
+
+    state.index += 1;
+    const kind = readUntil(state, /[,}]/).trim();
+
+    if (message[state.index] === '}') {
+      state.index += 1;
+      return { type: kind, name };
+    }
+
+    state.index += 1;
+
+    if (kind === 'plural' || kind === 'selectordinal' || kind === 'select') {
+      const branches = parseBranches(state, kind !== 'select');
+      return { type: kind, name, branches };
+    }
+
+    const style = readUntil(state, /}/).trim();
+    state.index += 1;
+    return { type: kind, name, style };
+  }
+
+  /**
+   * Parse `key {message}` pairs of a plural or select argument
+   * @param {{message: string, index: number}} state - Parser position
+   * @param {boolean} inPlural - Whether '#' is the plural number
+   * @returns {Object<string, Array>} Nodes per branch key
+   */
+  function parseBranches(state, inPlural) {
+    const { message } = state;
+    const branches = {};
+
+    while (state.index < message.length) {
+      const key = readUntil(state, /[{}]/).trim();
+
+      if (message[state.index] === '}') {
+        state.index += 1;
+        break;
+      }
+
+      state.index += 1;
+      branches[key] = parseNodes(state, true, inPlural);
+      state.index += 1;
+    }
+
+    return branches;
+  }
+
+  /**
+   * Read characters until one matches the pattern
+   * @param {{message: string, index: number}} state - Parser position
+   * @param {RegExp} pattern - Single-character stop pattern
+   * @returns {string} Characters read
+   */
+  function readUntil(state, pattern) {
+    const start = state.index;
+    while (state.index < state.message.length && !pattern.test(state.message[state.index])) {
+      state.index += 1;
+    }
+    return state.message.slice(start, state.index);
+  }
+
+  // ========================================
+  // Formatting
+  // ========================================
+
+  /**
+   * Format a number with Intl.NumberFormat
+   * @param {number} value - Number to format
+   * @param {string} style - ICU style ('integer', 'percent', 'currency', '::currency/USD')
+   * @param {string} locale - BCP-47 tag
+   * @param {Object} args - Message arguments (for args.currency)
+   * @returns {string} Formatted number
+   */
+  function formatNumber(value, style, locale, args) {
+    const number = Number(value);
+    const options = {};
+
+    if (style === 'integer') {
+      options.maximumFractionDigits = 0;
+    } else if (style === 'percent') {
+      options.style = 'percent';
+    } else if (style === 'currency' || /^::currency\//.test(style || '')) {
+      options.style = 'currency';
+      options.currency = style === 'currency'
+        ? (args.currency || DEFAULT_CURRENCY)
+        : style.split('/')[1];
+    }
+
+    try {
+      return new Intl.NumberFormat(locale, options).format(number);
+    } catch (error) {
+      // Unknown currency code or locale tag: show the value as given
+      return String(value);
+    }
+  }
+
+  /**
+   * Format a date or time with Intl.DateTimeFormat
+   * @param {Date|string|number} value - Date or ISO string / timestamp
+   * @param {string} kind - 'date' or 'time'
+   * @param {string} style - 'short' | 'medium' | 'long' | 'full'
+   * @param {string} locale - BCP-47 tag
+   * @returns {string} Formatted date
+   */
+  function formatDate(value, kind, style, locale) {
+    const date = value instanceof Date ? value : new Date(value);
+    const option = kind === 'time' ? 'timeStyle' : 'dateStyle';
+
+    try {
+      return new Intl.DateTimeFormat(locale, { [option]: style || 'medium' }).format(date);
+    } catch (error) {
+      // Invalid date, style or locale tag: show the value as given
+      return String(value);
+    }
+  }
+
+  /**
+   * Get the plural category of a number
+   * @param {number} number - Value of the plural argument
+   * @param {string} locale - BCP-47 tag
+   * @param {string} type - 'cardinal' or 'ordinal'
+   * @returns {string} 'zero' | 'one' | 'two' | 'few' | 'many' | 'other'
+   */
+  function pluralCategory(number, locale, type) {
+    try {
+      return new Intl.PluralRules(locale, { type }).select(number);
+    } catch (error) {
+      return 'other';
+    }
+  }
+
+  /**
+   * Render parsed nodes
+   * @param {Array} nodes - Output of parse()
+   * @param {Object} args - Message arguments
+   * @param {string} locale - BCP-47 tag
+   * @param {number} [pluralValue] - Number that '#' stands for
+   * @returns {string} Formatted text
+   */
+  function render(nodes, args, locale, pluralValue) {
+    return nodes.map(node => {
+      const value = args[node.name];
+
+      switch (node.type) {
+        case 'text':
+          return node.value;
+
+        case 'pound':
+          return formatNumber(pluralValue, '', locale, args);
+
+        case 'argument':
+          if (value === undefined || value === null) return `{${node.name}}`;
+          return typeof value === 'number' ? formatNumber(value, '', locale, args) : String(value);
+
+        case 'number':
+          return formatNumber(value, node.style, locale, args);
+
+        case 'date':
+        case 'time':
+          return formatDate(value, node.type, node.style, locale);
+
+        case 'plural':
+        case 'selectordinal': {
+          const number = Number(value);
+          const category = pluralCategory(number, locale, node.type === 'selectordinal' ? 'ordinal' : 'cardinal');
+          const branch = node.branches[`=${number}`] ||
+            node.branches[category] ||
+            node.branches.other ||
+            [];
+          return render(branch, args, locale, number);
+        }
+
+        case 'select': {
+          const branch = node.branches[String(value)] || node.branches.other || [];
+          return render(branch, args, locale, pluralValue);
+        }
+
+        default:
+          return value === undefined ? '' : String(value);
+      }
+    }).join('');
+  }
+
+  /**
+   * Format an ICU message
+   * @param {string} message - Message with ICU placeholders
+   * @param {Object} [args] - Argument values
+   * @param {string} [locale] - BCP-47 tag used by Intl
+   * @returns {string} Formatted text
+   */
+  function formatMessage(message, args, locale) {
+    if (typeof message !== 'string' || message.indexOf('{') === -1) {
+      return message;
+    }
+
+    return render(parse(message), args || {}, locale || 'es-CL');
+  }
+
+  // ========================================
+  // Sanitizing
+  // ========================================
+
+  /**
+   * Escape text for HTML, leaving existing character references intact
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeText(text) {
+    return text
+      .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Decode the character references of an attribute value, like the browser
+   * does before it uses the value (e.g. '&#106;avascript&colon;' -> 'javascript:')
+   * @param {string} value - Raw attribute value
+   * @returns {string} Decoded value
+   */
+  function decodeReferences(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, ref) => {
+      if (ref[0] === '#') {
+        const code = ref[1] === 'x' || ref[1] === 'X'
+          ? parseInt(ref.slice(2), 16)
+          : parseInt(ref.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+      }
+
+      const name = ref.toLowerCase();
+      return Object.prototype.hasOwnProperty.call(NAMED_REFERENCES, name) ? NAMED_REFERENCES[name] : match;
+    });
+  }
+
+  /**
+   * Escape an attribute value completely, character references included, so
+   * the browser reads back exactly the string that was checked
+   * @param {string} value - Decoded attribute value
+   * @returns {string} Escaped value
+   */
+  function escapeAttribute(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Check that a link target uses an allowed scheme (relative URLs are fine)
+   * @param {string} url - href value
+   * @returns {boolean} True if the URL is safe to keep
+   */
+  function isSafeUrl(url) {
+    // Browsers ignore control characters and whitespace inside schemes
+    const normalized = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase();
+    const scheme = /^([a-z][a-z0-9+.-]*:)/.exec(normalized);
+
+    return !scheme || SAFE_URL_SCHEMES.includes(scheme[1]);
+  }
+
+  /**
+   * Rebuild an allowed tag with only its allowed, safe attributes
+   * @param {string} name - Lower-case tag name
+   * @param {string} attrSource - Attribute part of the original tag
+   * @param {boolean} closing - Whether this is a closing tag
+   * @returns {string} Normalized tag
+   */
+  function buildTag(name, attrSource, closing) {
+    if (closing) return name === 'br' ? '' : `</${name}>`;
+
+    const attrPattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let attrs = '';
+    let match;
+
+    while ((match = attrPattern.exec(attrSource)) !== null) {
+      const attr = match[1].toLowerCase();
+      const value = decodeReferences(match[2] ?? match[3] ?? match[4] ?? '');
+
+      if (!ALLOWED_TAGS[name].includes(attr)) continue;
+      if (attr === 'href' && !isSafeUrl(value)) continue;
+
+      attrs += ` ${attr}="${escapeAttribute(value)}"`;
+    }
+
+    if (name === 'a' && /^ href="(https?:)?\/\//i.test(attrs)) {
+      attrs += ' target="_blank" rel="noopener noreferrer"';
+    }
+
+    return `<${name}${attrs}>`;
+  }
+
+  /**
+   * Reduce HTML to the allowlist: <strong>, <em>, <br> and <a href>
+   * Other tags, comments and stray brackets are escaped and shown as text
+   * @param {string} html - Untrusted HTML
+   * @returns {string} Safe HTML
+   */
+  function sanitizeHtml(html) {
+    const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+    const source = String(html);
+    let output = '';
+    let cursor = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+      const name = match[2].toLowerCase();
+      output += escapeText(source.slice(cursor, match.index));
+
+      output += Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, name)
+        ? buildTag(name, match[3], match[1] === '/')
+        : escapeText(match[0]);
+
+      cursor = tagPattern.lastIndex;
+    }
+
+    return output + escapeText(source.slice(cursor));
+  }
+
+  return {
+    formatMessage,
+    sanitizeHtml
+  };
+});
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Pullai Data Partners - Content Bundle
+ * Merges config/*.json (and, optionally, the translation bundles) into one
+ * file so pages load their content with a single request:
+ *
+ *   <out>/config/content.<hash>.json   referenced from every page with
+ *                                      <link rel="preload" data-content-bundle>
+ *
+ * or, with --inline, a <script type="application/json" id="site-content">
+ * block in every page. loadConfig in script.js reads the bundle first and
+ * falls back to the individual files for anything it lacks.
+ *
+ * Runs on a built copy of the site, usually after the pre-rendering:
+ *
+ *   node scripts/prerender.js && node scripts/build-content.js
+ *
+ * Usage:
+ *   node scripts/build-content.js [--out dist] [--inline] [--translations]
+ *
+ *   --inline        Embed the bundle in each page instead of a hashed file
+ *   --translations  Also bundle the i18n manifest and the translation bundles:
+ *                   all of them in the shared file; with --inline, only the
+ *                   page's locale chain and namespaces (the rest loads on demand)
+ *
+ * The pages of the output directory are rewritten in place, so only a
+ * directory written by prerender.js is accepted (see lib/args.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT,
+  I18N_DIR,
+  COMMON_NAMESPACE,
+  readJSON,
+  loadManifest,
+  getLocaleChain,
+  parseI18nAttr
+} = require('./lib/i18n');
+const { checkOutDir, resolveOutDir } = require('./lib/args');
+
+const CONFIG_DIR = path.join(ROOT, 'config');
+const BUNDLE_PATTERN = /^content\.[0-9a-f]+\.json$/;
+const BUNDLE_MARKUP = /\n?[ \t]*<(?:link[^>]*\sdata-content-bundle\b[^>]*|script type="application\/json" id="site-content">[\s\S]*?<\/script)>/g;
+
+// ========================================
+// Bundle
+// ========================================
+
+/**
+ * Merge the config files, and optionally the translations, into one object
+ * @param {{translations: boolean, locales?: string[], namespaces?: string[]}} options -
+ *   Build options; `locales` and `namespaces` limit the translation bundles
+ *   included (all of them by default)
+ * @returns {{files: Object<string, *>, i18n?: Object}} Bundle contents
+ */
+function buildContentBundle({ translations = false, locales, namespaces } = {}) {
+  const bundle = { files: {} };
+
+  fs.readdirSync(CONFIG_DIR)
+    .filter(file => file.endsWith('.json') && !BUNDLE_PATTERN.test(file))
+    .sort()
+    .forEach(file => {
+      bundle.files[path.basename(file, '.json')] = readJSON(path.join(CONFIG_DIR, file));
+    });
+
+  if (translations) {
+    const manifest = loadManifest();
+    const bundles = {};
+
+    (locales || manifest.locales).forEach(locale => {
+      (namespaces || manifest.namespaces).forEach(namespace => {
+        const file = path.join(I18N_DIR, locale, `${namespace}.json`);
+        if (fs.existsSync(file)) bundles[`${locale}/${namespace}`] = readJSON(file);
+      });
+    });
+
+    bundle.i18n = { manifest, bundles };
+  }
+
+  return bundle;
+}
+
+/**
+ * Short content hash used in the bundle file name
+ * @param {string} json - Serialized bundle
+ * @returns {string} First 10 hex digits of its SHA-256
+ */
+function hashContent(json) {
+  return crypto.createHash('sha256').update(json).digest('hex').slice(0, 10);
+}
+
+// ========================================
+// Pages
+// ========================================
+
+/**
+ * List the HTML pages of a built site, locale copies included
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} Absolute file paths
+ */
+function listBuiltPages(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === 'assets' || entry.name === 'config' ? [] : listBuiltPages(file);
+    return entry.name.endsWith('.html') ? [file] : [];
+  });
+}
+
+/**
+ * Get the translations a built page reads: its own locale and fallbacks, and
+ * the common namespace plus those of its data-i18n keys (like
+ * getPageNamespaces in script.js, which fetches anything else on demand)
+ * @param {string} html - Page source
+ * @param {Object} manifest - Output of loadManifest()
+ * @returns {{locales: string[], namespaces: string[]}} Bundles to include
+ */
+function getPageTranslations(html, manifest) {
+  const localeMatch = /<html\b[^>]*\sdata-prerendered-locale="([^"]*)"/.exec(html);
+  const locale = localeMatch ? localeMatch[1] : manifest.defaultLocale;
+  const namespaces = new Set([COMMON_NAMESPACE]);
+  const keyPattern = /\sdata-i18n(-attr)?\s*=\s*["']([^"']+)["']/g;
+  let match;
+
+  while ((match = keyPattern.exec(html)) !== null) {
+    const keys = match[1] ? parseI18nAttr(match[2]).map(({ key }) => key) : [match[2].trim()];
+    keys.forEach(key => namespaces.add(key.split('.')[0]));
+  }
+
+  return {
+    locales: getLocaleChain(manifest, locale),
+    namespaces: manifest.namespaces.filter(namespace => namespaces.has(namespace))
+  };
+}
+
+/**
+ * Add the bundle reference (or the inline bundle) before </head>, replacing
+ * the one from a previous build
+ * @param {string} html - Page source
+ * @param {string} markup - Tag to add
+ * @returns {string} Updated page
+ */
+function injectBundleMarkup(html, markup) {
+  return html.replace(BUNDLE_MARKUP, '').replace('</head>', `  ${markup}\n</head>`);
+}
+
+// ========================================
+// Build
+// ========================================
+
+/**
+ * Write the content bundle into a built site and reference it from every page.
+ * An inline bundle only carries the translations of its page (see
+ * getPageTranslations); the shared file has all of them
+ * @param {string} outDir - Absolute directory of the built site
+ * @param {{inline: boolean, translations: boolean}} options - Build options
+ * @returns {{file: ?string, pages: number, bytes: number}} What was written
+ *   (bytes of the largest bundle)
+ * @throws {Error} When outDir is missing or not a build directory
+ */
+function writeContentBundle(outDir, { inline = false, translations = false } = {}) {
+  checkOutDir(outDir);
+
+  if (!fs.existsSync(outDir)) {
+    throw new Error(`${outDir} does not exist, run scripts/prerender.js first`);
+  }
+
+  const manifest = translations ? loadManifest() : null;
+  const json = JSON.stringify(buildContentBundle({ translations }));
+  const outConfig = path.join(outDir, 'config');
+  const file = inline ? null : `content.${hashContent(json)}.json`;
+  let bytes = inline && translations ? 0 : Buffer.byteLength(json);
+
+  fs.mkdirSync(outConfig, { recursive: true });
+  fs.readdirSync(outConfig)
+    .filter(name => BUNDLE_PATTERN.test(name))
+    .forEach(name => fs.rmSync(path.join(outConfig, name)));
+
+  if (file) fs.writeFileSync(path.join(outConfig, file), json);
+
+  const pages = listBuiltPages(outDir);
+  pages.forEach(page => {
+    const html = fs.readFileSync(page, 'utf8').replace(BUNDLE_MARKUP, '');
+    let markup;
+
+    if (inline) {
+      const pageJson = translations
+        ? JSON.stringify(buildContentBundle({ translations, ...getPageTranslations(html, manifest) }))
+        : json;
+      bytes = Math.max(bytes, Buffer.byteLength(pageJson));
+
+      // Keep "</script>" inside string values from closing the block
+      markup = `<script type="application/json" id="site-content">${pageJson.replace(/</g, '\\u003c')}</script>`;
+    } else {
+      const href = path.relative(path.dirname(page), path.join(outConfig, file)).split(path.sep).join('/');
+      markup = `<link rel="preload" href="${href}" as="fetch" type="application/json" crossorigin data-content-bundle>`;
+    }
+
+    fs.writeFileSync(page, injectBundleMarkup(html, markup));
+  });
+
+  return { file, pages: pages.length, bytes };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  let outDir;
+  try {
+    outDir = resolveOutDir(args);
+  } catch (error) {
+    console.error(`${error.message}\nUsage: node scripts/build-content.js [--out dist] [--inline] [--translations]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = writeContentBundle(outDir, {
+    inline: args.includes('--inline'),
+    translations: args.includes('--translations')
+  });
+
+  const size = `${Math.round(result.bytes / 1024)} KB`;
+  const target = result.file
+    ? `config/${result.file}`
+    : 'an inline <script type="application/json"> block';
+  console.log(`Content bundle (${result.file ? size : `up to ${size}`}) written to ${target} for ${result.pages} pages`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildContentBundle, getPageTranslations, writeContentBundle };
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Pullai Data Partners - i18n Coverage Audit
+ * Cross-checks the data-i18n keys used in every HTML page, and the keys the
+ * scripts read with t() and friends, against the translation bundles in
+ * config/i18n/<locale>/<namespace>.json
+ *
+ * Usage:
+ *   node scripts/i18n-audit.js [--strict] [--json]
+ *
+ *   --strict  Also fail when bundles contain keys no page or script uses (orphans)
+ *   --json    Print the report as JSON instead of text
+ *
+ * Exits with 1 when a locale misses keys used in the HTML or scripts or when an array
+ * has a different length than in the default locale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT,
+  loadManifest,
+  loadAllLocales,
+  listPages,
+  getNestedValue,
+  parseI18nAttr
+} = require('./lib/i18n');
+
+// Scripts that read translations directly (t(), showStatus({ key }), …)
+const SCRIPT_FILES = ['assets/js/script.js', 'assets/js/i18n-format.js'];
+
+// ========================================
+// HTML Keys
+// ========================================
+
+/**
+ * Collect data-i18n and data-i18n-attr keys from every top-level HTML page
+ * @returns {Map<string, string[]>} Key to the pages that use it
+ */
+function collectHtmlKeys() {
+  const keys = new Map();
+
+  listPages().forEach(page => {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const textPattern = /\sdata-i18n\s*=\s*["']([^"']+)["']/g;
+    const attrPattern = /\sdata-i18n-attr\s*=\s*["']([^"']+)["']/g;
+    const addKey = key => {
+      if (!keys.has(key)) keys.set(key, []);
+      if (!keys.get(key).includes(page)) keys.get(key).push(page);
+    };
+    let match;
+
+    while ((match = textPattern.exec(html)) !== null) {
+      addKey(match[1].trim());
+    }
+
+    while ((match = attrPattern.exec(html)) !== null) {
+      parseI18nAttr(match[1]).forEach(({ key }) => addKey(key));
+    }
+  });
+
+  return keys;
+}
+
+/**
+ * Collect the translation keys the scripts spell out: quoted dot-notation
+ * strings ('contact.form.status.error') and the fixed start of template
+ * strings (`contact.form.errors.${rule}` counts as contact.form.errors).
+ * Other dotted strings (file names, config paths) come along too, so only
+ * the ones found in the default locale are treated as keys.
+ * @returns {Map<string, string[]>} Key to the scripts that use it
+ */
+function collectScriptKeys() {
+  const keys = new Map();
+
+  SCRIPT_FILES.forEach(file => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const literalPattern = /(['"`])([A-Za-z][\w-]*(?:\.[\w-]+)+)\1/g;
+    const templatePattern = /`([A-Za-z][\w-]*(?:\.[\w-]+)*)\.\$\{/g;
+    const addKey = key => {
+      if (!keys.has(key)) keys.set(key, []);
+      if (!keys.get(key).includes(file)) keys.get(key).push(file);
+    };
+    let match;
+
+    while ((match = literalPattern.exec(source)) !== null) {
+      addKey(match[2]);
+    }
+
+    while ((match = templatePattern.exec(source)) !== null) {
+      addKey(match[1]);
+    }
+  });
+
+  return keys;
+}
+
+// ========================================
+// Tree Helpers
+// ========================================
+
+/**
+ * List the dot-notation paths of every string leaf in a tree
+ * @param {*} node - Tree to walk
+ * @param {string} prefix - Path of the node
+ * @returns {string[]} Leaf paths
+ */
+function leafPaths(node, prefix = '') {
+  if (node === null || typeof node !== 'object') {
+    return prefix ? [prefix] : [];
+  }
+
+  return Object.keys(node).flatMap(key =>
+    leafPaths(node[key], prefix ? `${prefix}.${key}` : key)
+  );
+}
+
+/**
+ * Find arrays whose length differs from the same array in the reference tree
+ * @param {*} reference - Default locale tree
+ * @param {*} target - Locale tree to compare
+ * @param {string} prefix - Path of the nodes
+ * @returns {Array<{key: string, expected: number, actual: number}>} Mismatches
+ */
+function arrayMismatches(reference, target, prefix = '') {
+  if (reference === null || typeof reference !== 'object') return [];
+  if (target === null || typeof target !== 'object') return [];
+
+  const mismatches = [];
+
+  if (Array.isArray(reference) && Array.isArray(target) && reference.length !== target.length) {
+    mismatches.push({ key: prefix, expected: reference.length, actual: target.length });
+  }
+
+  Object.keys(reference).forEach(key => {
+    if (key in target) {
+      mismatches.push(
+        ...arrayMismatches(reference[key], target[key], prefix ? `${prefix}.${key}` : key)
+      );
+    }
+  });
+
+  return mismatches;
+}
+
+// ========================================
+// Audit
+// ========================================
+
+/**
+ * Run the audit over all locales
+ * @returns {Object} Report keyed by locale
+ */
+function audit() {
+  const manifest = loadManifest();
+  const htmlKeys = collectHtmlKeys();
+  const trees = loadAllLocales(manifest);
+  const reference = trees[manifest.defaultLocale];
+
+  collectScriptKeys().forEach((files, key) => {
+    if (getNestedValue(reference, key) === undefined) return;
+    htmlKeys.set(key, [...(htmlKeys.get(key) || []), ...files]);
+  });
+
+  const usedKeys = Array.from(htmlKeys.keys());
+  const report = { defaultLocale: manifest.defaultLocale, keys: usedKeys.length, locales: {} };
+
+  manifest.locales.forEach(locale => {
+    const tree = trees[locale];
+
+    const missing = usedKeys
+      .filter(key => {
+        const value = getNestedValue(tree, key);
+        return value === undefined || value === null;
+      })
+      .map(key => ({ key, pages: htmlKeys.get(key) }));
+
+    const orphaned = leafPaths(tree).filter(
+      leaf => !usedKeys.some(key => leaf === key || leaf.startsWith(`${key}.`))
+    );
+
+    const mismatched = locale === manifest.defaultLocale ? [] : arrayMismatches(reference, tree);
+
+    report.locales[locale] = { missing, orphaned, mismatched };
+  });
+
+  return report;
+}
+
+/**
+ * Print a human-readable report
+ * @param {Object} report - Output of audit()
+ */
+function printReport(report) {
+  console.log(`i18n audit: ${report.keys} keys used across HTML pages and scripts\n`);
+
+  Object.entries(report.locales).forEach(([locale, result]) => {
+    console.log(
+      `[${locale}] ${result.missing.length} missing, ` +
+      `${result.mismatched.length} array mismatches, ` +
+      `${result.orphaned.length} orphaned`
+    );
+
+    result.missing.forEach(({ key, pages }) => {
+      console.log(`  missing   ${key}  (${pages.join(', ')})`);
+    });
+
+    result.mismatched.forEach(({ key, expected, actual }) => {
+      console.log(`  length    ${key}  has ${actual} items, ${report.defaultLocale} has ${expected}`);
+    });
+
+    result.orphaned.forEach(key => {
+      console.log(`  orphaned  ${key}`);
+    });
+
+    console.log('');
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const report = audit();
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  const failed = Object.values(report.locales).some(result =>
+    result.missing.length > 0 ||
+    result.mismatched.length > 0 ||
+    (strict && result.orphaned.length > 0)
+  );
+
+  if (failed) {
+    console.error('i18n audit failed: translation gaps found');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { audit, collectHtmlKeys, collectScriptKeys };
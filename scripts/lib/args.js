@@ -0,0 +1,101 @@
+/**
+ * Pullai Data Partners - Command-line helpers for the build scripts
+ * Parses --out and refuses output directories a build must not empty: only
+ * new or earlier build directories inside the repository are accepted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./i18n');
+
+// Written into every build output; only directories carrying it (or empty
+// ones) are ever emptied by a build
+const BUILD_MARKER = '.build-output';
+
+/**
+ * Check whether a path is a directory or lies inside it
+ * @param {string} dir - Absolute directory
+ * @param {string} file - Absolute path
+ * @returns {boolean} Whether file is dir or below it
+ */
+function isWithin(dir, file) {
+  const relative = path.relative(dir, file);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Check whether a directory was written by an earlier build (or is empty)
+ * @param {string} dir - Absolute directory
+ * @returns {boolean} Whether a build may replace its contents
+ */
+function isBuildOutput(dir) {
+  if (!fs.statSync(dir).isDirectory()) return false;
+  const entries = fs.readdirSync(dir);
+  return entries.length === 0 || entries.includes(BUILD_MARKER);
+}
+
+/**
+ * Read the value following an option
+ * @param {string[]} args - Command-line arguments
+ * @param {string} name - Option name, e.g. '--out'
+ * @param {string} [fallback] - Value when the option is absent
+ * @returns {string|undefined} Option value
+ * @throws {Error} When the option is given without a value
+ */
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  if (index === -1) return fallback;
+
+  const value = args[index + 1];
+  if (value === undefined || value === '' || value.startsWith('--')) {
+    throw new Error(`${name} needs a value`);
+  }
+  return value;
+}
+
+/**
+ * Refuse an output directory a build must not empty or rewrite. Only
+ * directories inside the repository are accepted, and only when they are not
+ * part of the sources: their top-level entry (e.g. dist/) must not exist yet
+ * or be an earlier build output, marked with BUILD_MARKER
+ * @param {string} outDir - Absolute output directory
+ * @throws {Error} When the directory is outside the repository or holds sources
+ */
+function checkOutDir(outDir) {
+  const relative = path.relative(ROOT, outDir);
+  if (!relative || !isWithin(ROOT, outDir)) {
+    throw new Error(`${outDir} is not a directory inside the repository, use one such as dist`);
+  }
+
+  const topLevel = path.join(ROOT, relative.split(path.sep)[0]);
+  if (fs.existsSync(topLevel) && !isBuildOutput(topLevel)) {
+    throw new Error(`${topLevel} is not an earlier build output, choose a new directory such as dist`);
+  }
+
+  if (outDir !== topLevel && fs.existsSync(outDir) && !isBuildOutput(outDir)) {
+    throw new Error(`${outDir} is not an earlier build output, choose a new directory such as dist`);
+  }
+}
+
+/**
+ * Mark a directory as build output, so later builds may replace it
+ * @param {string} outDir - Absolute output directory
+ */
+function markBuildOutput(outDir) {
+  fs.writeFileSync(path.join(outDir, BUILD_MARKER), 'Written by scripts/prerender.js, replaced on every build\n');
+}
+
+/**
+ * Resolve the --out option of a build script (relative to the repository)
+ * @param {string[]} args - Command-line arguments
+ * @param {string} [fallback='dist'] - Directory when --out is absent
+ * @returns {string} Absolute output directory
+ * @throws {Error} When --out has no value or points at the sources
+ */
+function resolveOutDir(args, fallback = 'dist') {
+  const outDir = path.resolve(ROOT, readOption(args, '--out', fallback));
+  checkOutDir(outDir);
+  return outDir;
+}
+
+module.exports = { BUILD_MARKER, readOption, checkOutDir, markBuildOutput, resolveOutDir };
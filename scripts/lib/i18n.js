@@ -0,0 +1,227 @@
+/**
+ * Pullai Data Partners - Shared i18n helpers for the Node scripts
+ * Mirrors how assets/js/script.js loads and resolves translation bundles
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sanitizeHtml } = require('../../assets/js/i18n-format');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const I18N_DIR = path.join(ROOT, 'config', 'i18n');
+const COMMON_NAMESPACE = 'common';
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - Absolute path
+ * @returns {*} Parsed contents
+ */
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load config/i18n/manifest.json
+ * @returns {Object} Locales, locale metadata, fallbacks and namespaces
+ */
+function loadManifest() {
+  return readJSON(path.join(I18N_DIR, 'manifest.json'));
+}
+
+/**
+ * Load every bundle of a locale into one tree, like the browser does
+ * @param {string} locale - Locale ID
+ * @param {string[]} namespaces - Namespaces listed in the manifest
+ * @returns {Object} Merged translations for the locale
+ */
+function loadLocale(locale, namespaces) {
+  const tree = {};
+
+  namespaces.forEach(namespace => {
+    const file = path.join(I18N_DIR, locale, `${namespace}.json`);
+    if (!fs.existsSync(file)) return;
+
+    const bundle = readJSON(file);
+    if (namespace === COMMON_NAMESPACE) {
+      Object.assign(tree, bundle);
+    } else {
+      tree[namespace] = bundle;
+    }
+  });
+
+  return tree;
+}
+
+/**
+ * Load the trees of every locale in the manifest
+ * @param {Object} manifest - Output of loadManifest()
+ * @returns {Object<string, Object>} Tree per locale ID
+ */
+function loadAllLocales(manifest) {
+  const trees = {};
+
+  manifest.locales.forEach(locale => {
+    trees[locale] = loadLocale(locale, manifest.namespaces);
+  });
+
+  return trees;
+}
+
+/**
+ * List the top-level HTML pages of the site
+ * @returns {string[]} File names, sorted
+ */
+function listPages() {
+  return fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).sort();
+}
+
+/**
+ * Get nested object value from path string
+ * @param {Object} obj - The object to search
+ * @param {string} keyPath - Dot-notation path
+ * @returns {*} The value at the path
+ */
+function getNestedValue(obj, keyPath) {
+  return keyPath.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+/**
+ * Get display and tagging metadata for a locale
+ * @param {Object} manifest - Output of loadManifest()
+ * @param {string} locale - Locale ID
+ * @returns {{tag: string, label: string, name: string, ogLocale: string}} Metadata
+ */
+function getLocaleInfo(manifest, locale) {
+  return {
+    tag: locale,
+    label: locale.toUpperCase(),
+    name: locale,
+    ogLocale: locale,
+    ...(manifest.localeInfo && manifest.localeInfo[locale])
+  };
+}
+
+/**
+ * Get the URL path prefix of a locale (e.g., 'ja' for 'jp')
+ * @param {Object} manifest - Output of loadManifest()
+ * @param {string} locale - Locale ID
+ * @returns {string} Prefix directory name
+ */
+function getLocalePathPrefix(manifest, locale) {
+  return getLocaleInfo(manifest, locale).tag.split('-')[0].toLowerCase();
+}
+
+/**
+ * Get the lookup order for a locale: itself, its fallbacks, then the default
+ * @param {Object} manifest - Output of loadManifest()
+ * @param {string} locale - Locale ID
+ * @returns {string[]} Locale IDs to try in order
+ */
+function getLocaleChain(manifest, locale) {
+  const fallbacks = (manifest.fallbacks && manifest.fallbacks[locale]) || [];
+  const chain = [locale, ...fallbacks, manifest.defaultLocale];
+
+  return chain.filter((id, index) => chain.indexOf(id) === index);
+}
+
+/**
+ * Resolve a key through the fallback chain of a locale
+ * @param {Object} manifest - Output of loadManifest()
+ * @param {Object<string, Object>} trees - Output of loadAllLocales()
+ * @param {string} key - Dot-notation translation key
+ * @param {string} locale - Locale ID to start from
+ * @returns {{value: *, locale: string}|null} The value and the locale that had it
+ */
+function resolveTranslation(manifest, trees, key, locale) {
+  for (const id of getLocaleChain(manifest, locale)) {
+    const value = getNestedValue(trees[id], key);
+    if (value !== undefined && value !== null) {
+      return { value, locale: id };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a data-i18n-attr value into attribute/key pairs, like script.js
+ * e.g. 'alt:platforms.cards.0.title;aria-label:nav.toggle'
+ * @param {string} value - Attribute value
+ * @returns {Array<{attr: string, key: string}>} Pairs, event handlers excluded
+ */
+function parseI18nAttr(value) {
+  return (value || '')
+    .split(';')
+    .map(pair => {
+      const index = pair.indexOf(':');
+      return { attr: pair.slice(0, index).trim(), key: pair.slice(index + 1).trim() };
+    })
+    .filter(({ attr, key }) => attr && key && !/^on/i.test(attr));
+}
+
+/**
+ * Parse a data-i18n-args attribute value, like getI18nArgs in script.js
+ * String values starting with 'config:' are read from site.config.json
+ * @param {string} raw - Attribute value (JSON)
+ * @param {Object} siteConfig - Parsed config/site.config.json
+ * @returns {Object} Argument values
+ */
+function parseI18nArgs(raw, siteConfig) {
+  if (!raw) return {};
+
+  const args = JSON.parse(raw);
+  Object.keys(args).forEach(name => {
+    const value = args[name];
+    if (typeof value === 'string' && value.startsWith('config:')) {
+      args[name] = getNestedValue(siteConfig, value.slice('config:'.length));
+    }
+  });
+
+  return args;
+}
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn a translation into element markup the same way updatePageLanguage does:
+ * sanitized rich text for data-i18n-html elements, escaped text otherwise
+ * @param {*} value - Translation value
+ * @param {boolean} allowHtml - Whether the element has data-i18n-html
+ * @returns {string} HTML to place inside the element
+ */
+function translationToHtml(value, allowHtml) {
+  const text = String(value);
+  return allowHtml ? sanitizeHtml(text) : escapeHtml(text);
+}
+
+module.exports = {
+  ROOT,
+  I18N_DIR,
+  COMMON_NAMESPACE,
+  readJSON,
+  loadManifest,
+  loadLocale,
+  loadAllLocales,
+  listPages,
+  getNestedValue,
+  getLocaleInfo,
+  getLocalePathPrefix,
+  getLocaleChain,
+  resolveTranslation,
+  parseI18nAttr,
+  parseI18nArgs,
+  escapeHtml,
+  translationToHtml
+};
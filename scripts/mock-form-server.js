@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * Pullai Data Partners - Mock Form Backends
+ * Serves the site locally with contact.provider/contact.endpoint pointed at a
+ * stand-in for the chosen backend, so the contact form can be exercised
+ * without sending real submissions:
+ *
+ *   POST /mock/formspree  multipart form data, Formspree-style JSON replies
+ *   POST /mock/webhook    JSON body, { message } on errors
+ *   POST /mock/netlify    urlencoded body, requires form-name
+ *
+ * A message containing "[fail]" gets the provider's 4xx error response,
+ * "[error]" a 500 and "[slow]" an answer only after SLOW_RESPONSE_MS, to try
+ * timeouts. The served site.config.json turns on
+ * contact.antispam.sendProofOfWork, and every submission must carry a valid
+ * proof of work (_pow_challenge/_pow_nonce, see initAntiSpam in script.js) or
+ * it is rejected with 403, and anti-spam rejections beaconed by the page are
+ * printed from POST /mock/spam-log.
+ *
+ * Usage:
+ *   node scripts/mock-form-server.js [--provider formspree|webhook|netlify|mailto|custom] [--port 8080]
+ *
+ * `custom` keeps the webhook endpoint, for providers registered with
+ * window.DataPulse.registerFormProvider().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROOT, readJSON } = require('./lib/i18n');
+const { readOption } = require('./lib/args');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+};
+
+const MOCK_ENDPOINTS = {
+  formspree: '/mock/formspree',
+  webhook: '/mock/webhook',
+  netlify: '/mock/netlify',
+  custom: '/mock/webhook'
+};
+
+// Proof of work challenges older than this are refused
+const POW_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Delay of "[slow]" submissions
+const SLOW_RESPONSE_MS = 10000;
+
+// ========================================
+// Proof of Work
+// ========================================
+
+/**
+ * Read the fields of a JSON, urlencoded or multipart request body
+ * @param {string} body - Raw body
+ * @param {string} contentType - Content-Type header
+ * @returns {Object<string, string>} Field values (last one wins)
+ */
+function parseFields(body, contentType = '') {
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  if (contentType.includes('multipart/form-data')) {
+    const fields = {};
+    const pattern = /name="([^"]+)"\r\n\r\n([\s\S]*?)\r\n--/g;
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+      fields[match[1]] = match[2];
+    }
+    return fields;
+  }
+
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+/**
+ * Verify a proof of work: SHA-256("<challenge>:<nonce>") must start with
+ * `difficulty` zero bits, and each fresh challenge is accepted only once
+ * @param {Object<string, string>} fields - Submitted fields
+ * @param {number} difficulty - Required leading zero bits
+ * @param {Set<string>} usedChallenges - Challenges already accepted
+ * @returns {string|null} Why the proof is invalid, or null when valid
+ */
+function verifyProofOfWork(fields, difficulty, usedChallenges) {
+  const challenge = fields._pow_challenge;
+  const nonce = fields._pow_nonce;
+  if (!challenge || nonce === undefined) return 'missing proof of work';
+
+  const issuedAt = Number(String(challenge).split('.')[0]);
+  if (!issuedAt || Date.now() - issuedAt > POW_MAX_AGE_MS) return 'expired challenge';
+  if (usedChallenges.has(challenge)) return 'reused challenge';
+
+  const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  for (let bit = 0; bit < difficulty; bit++) {
+    if (digest[bit >> 3] & (0x80 >> (bit & 7))) return 'invalid proof of work';
+  }
+
+  usedChallenges.add(challenge);
+  return null;
+}
+
+// ========================================
+// Mock Backends
+// ========================================
+
+/**
+ * Reply with JSON
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Reply body
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+// Each handler gets the raw request body and answers like the real service
+const MOCK_HANDLERS = {
+  '/mock/formspree': (body, res) => {
+    if (body.includes('[fail]')) {
+      sendJSON(res, 422, { errors: [{ field: 'message', message: 'Submission rejected by the mock server' }] });
+    } else if (body.includes('[error]')) {
+      sendJSON(res, 500, { error: 'Internal error' });
+    } else {
+      sendJSON(res, 200, { ok: true, next: '/thanks' });
+    }
+  },
+
+  '/mock/webhook': (body, res) => {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      sendJSON(res, 400, { message: 'Body must be JSON' });
+      return;
+    }
+
+    if (String(data.message || '').includes('[fail]')) {
+      sendJSON(res, 422, { message: 'Webhook rejected the submission' });
+    } else if (String(data.message || '').includes('[error]')) {
+      sendJSON(res, 500, { message: 'Webhook failed' });
+    } else {
+      sendJSON(res, 200, { received: true });
+    }
+  },
+
+  '/mock/netlify': (body, res) => {
+    const data = new URLSearchParams(body);
+
+    if (!data.get('form-name') || String(data.get('message')).includes('[fail]')) {
+      res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+      res.end('<h1>Form not found</h1>');
+    } else if (String(data.get('message')).includes('[error]')) {
+      res.writeHead(500, { 'Content-Type': MIME_TYPES['.html'] });
+      res.end('<h1>Internal error</h1>');
+    } else {
+      res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'] });
+      res.end('<h1>Thank you!</h1>');
+    }
+  }
+};
+
+// ========================================
+// Server
+// ========================================
+
+/**
+ * Serve a file of the site, with site.config.json pointed at the mock provider
+ * @param {string} pathname - Request path
+ * @param {string} provider - Provider name
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, provider, res) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+  } catch (error) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad request');
+    return;
+  }
+
+  const file = path.join(ROOT, relative.endsWith('/') ? `${relative}index.html` : relative);
+  const fromRoot = path.relative(ROOT, file);
+  const outsideRoot = fromRoot.startsWith('..') || path.isAbsolute(fromRoot);
+
+  if (outsideRoot || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  if (relative === 'config/site.config.json') {
+    const config = readJSON(file);
+    config.contact.provider = provider;
+    config.contact.endpoint = MOCK_ENDPOINTS[provider] || config.contact.endpoint;
+    config.contact.antispam = { ...config.contact.antispam, sendProofOfWork: true, logEndpoint: '/mock/spam-log' };
+    sendJSON(res, 200, config);
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+  fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Create the mock server (not listening yet)
+ * @param {{provider?: string, difficulty?: number, log?: function}} options -
+ *   Provider to point the site at, leading zero bits required from proofs of
+ *   work (site.config.json contact.antispam.powDifficulty by default) and
+ *   where to print requests (console.log by default)
+ * @returns {http.Server} Server
+ */
+function createMockServer({ provider = 'formspree', difficulty, log = console.log } = {}) {
+  if (difficulty === undefined) {
+    const config = readJSON(path.join(ROOT, 'config', 'site.config.json'));
+    difficulty = ((config.contact && config.contact.antispam) || {}).powDifficulty || 0;
+  }
+  const usedChallenges = new Set();
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = MOCK_HANDLERS[pathname];
+
+    if (!handler && pathname !== '/mock/spam-log') {
+      serveStatic(pathname, provider, res);
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const contentType = req.headers['content-type'] || '';
+
+      if (pathname === '/mock/spam-log') {
+        log('Spam rejected by the page:', body);
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      log(`${req.method} ${pathname} (${contentType || 'no content type'})`);
+
+      const fields = parseFields(body, contentType);
+      const problem = verifyProofOfWork(fields, difficulty, usedChallenges);
+      if (problem) {
+        log(`  rejected: ${problem}`);
+        sendJSON(res, 403, { errors: [{ message: 'Submission rejected' }], message: 'Submission rejected' });
+        return;
+      }
+
+      if (String(fields.message || '').includes('[slow]')) {
+        const timer = setTimeout(() => handler(body, res), SLOW_RESPONSE_MS);
+        res.on('close', () => clearTimeout(timer));
+        return;
+      }
+
+      handler(body, res);
+    });
+  });
+}
+
+/**
+ * Read --provider and --port
+ * @param {string[]} args - Command-line arguments
+ * @returns {{provider: string, port: number}} Options
+ * @throws {Error} When an option has no value or an invalid one
+ */
+function parseOptions(args) {
+  const provider = readOption(args, '--provider', 'formspree');
+  const port = Number(readOption(args, '--port', '8080'));
+
+  if (!MOCK_ENDPOINTS[provider] && provider !== 'mailto') {
+    throw new Error(`Unknown provider ${provider}`);
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error('--port needs a number from 1 to 65535');
+  }
+
+  return { provider, port };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\nUsage: node scripts/mock-form-server.js [--provider formspree|webhook|netlify|mailto|custom] [--port 8080]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { provider, port } = options;
+  createMockServer({ provider }).listen(port, () => {
+    console.log(`Mock ${provider} backend: http://localhost:${port}/`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { MOCK_HANDLERS, createMockServer, parseFields, parseOptions, verifyProofOfWork };
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Pullai Data Partners - Static Pre-rendering
+ * Applies the data-i18n substitution of updatePageLanguage to every HTML page
+ * at build time and writes one copy per locale:
+ *
+ *   dist/<page>.html      default locale (es)
+ *   dist/en/<page>.html   English
+ *   dist/ja/<page>.html   Japanese
+ *
+ * Static files (assets/, config/, robots.txt…) are copied next to the pages so
+ * dist/ can be deployed as is. Each page gets its lang attribute, a localized
+ * canonical URL and hreflang alternates for every locale.
+ *
+ * Usage:
+ *   node scripts/prerender.js [--out dist]
+ *
+ * The output directory is emptied first, so it must be inside the repository
+ * and either new or an earlier output (marked with a .build-output file).
+ * Anything else (.git, a page, a source directory, a path outside) is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT,
+  loadManifest,
+  loadAllLocales,
+  listPages,
+  getLocaleInfo,
+  getLocalePathPrefix,
+  resolveTranslation,
+  parseI18nAttr,
+  parseI18nArgs,
+  readJSON,
+  escapeHtml,
+  translationToHtml
+} = require('./lib/i18n');
+const { checkOutDir, markBuildOutput, resolveOutDir } = require('./lib/args');
+const { formatMessage } = require('../assets/js/i18n-format');
+
+const SITE_URL = 'https://pullai.cl';
+const STATIC_ENTRIES = ['assets', 'config', 'CNAME', 'robots.txt', 'sitemap.xml'];
+
+// ========================================
+// HTML Helpers
+// ========================================
+
+/**
+ * Find the end of the element whose content starts at `from`
+ * @param {string} html - Document source
+ * @param {string} tag - Tag name of the element
+ * @param {number} from - Index right after the opening tag
+ * @returns {number} Index of the matching closing tag, or -1
+ */
+function findClosingTag(html, tag, from) {
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  pattern.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return match.index;
+  }
+
+  return -1;
+}
+
+/**
+ * Read the data-i18n-args attribute of an opening tag
+ * @param {string} attrs - Attribute source of the tag
+ * @returns {string|null} Raw JSON value
+ */
+function readArgsAttribute(attrs) {
+  const match = /\sdata-i18n-args\s*=\s*(?:'([^']*)'|"([^"]*)")/.exec(attrs);
+  if (!match) return null;
+
+  return match[1] !== undefined ? match[1] : match[2].replace(/&quot;/g, '"');
+}
+
+/**
+ * Set or add an attribute on the source of an opening tag
+ * @param {string} tag - Opening tag source
+ * @param {string} attr - Attribute name
+ * @param {string} value - Escaped attribute value
+ * @returns {string} Updated opening tag
+ */
+function setTagAttribute(tag, attr, value) {
+  const name = attr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const existing = new RegExp(`(\\s${name}\\s*=\\s*)("[^"]*"|'[^']*')`, 'i');
+
+  if (existing.test(tag)) {
+    return tag.replace(existing, (match, prefix) => `${prefix}"${value}"`);
+  }
+
+  return tag.replace(/\s*\/?>$/, end => ` ${attr}="${value}"${end}`);
+}
+
+/**
+ * Replace the content of every data-i18n element and the attributes listed in
+ * data-i18n-attr, like updatePageLanguage
+ * @param {string} html - Document source
+ * @param {function(string): ({value: *, locale: string}|null)} resolve - Key resolver
+ * @param {string} locale - Locale being rendered
+ * @param {function(*, string|null, string): *} format - Applies data-i18n-args
+ *   to a value, with the rules of the locale that supplied it
+ * @returns {string} Translated document
+ */
+function translateHtml(html, resolve, locale, format) {
+  const openTag = /<([a-zA-Z][\w-]*)(\s[^<>]*)?>/g;
+  let output = '';
+  let cursor = 0;
+  let match;
+
+  while ((match = openTag.exec(html)) !== null) {
+    const [tag, name, attrs = ''] = match;
+    const keyMatch = /\sdata-i18n\s*=\s*"([^"]*)"/.exec(attrs);
+    const attrMatch = /\sdata-i18n-attr\s*=\s*"([^"]*)"/.exec(attrs);
+    if (!keyMatch && !attrMatch) continue;
+
+    const rawArgs = readArgsAttribute(attrs);
+    let openingTag = tag.replace(/\sdata-i18n-missing="[^"]*"/, '');
+    let complete = true;
+    let content = null;
+    let contentEnd = openTag.lastIndex;
+
+    if (attrMatch) {
+      parseI18nAttr(attrMatch[1]).forEach(({ attr, key }) => {
+        const resolved = resolve(key);
+        if (!resolved || resolved.locale !== locale) complete = false;
+
+        if (resolved && typeof resolved.value === 'string') {
+          openingTag = setTagAttribute(openingTag, attr, escapeHtml(format(resolved.value, rawArgs, resolved.locale)));
+        }
+      });
+    }
+
+    if (keyMatch) {
+      const contentStart = openTag.lastIndex;
+      const closing = findClosingTag(html, name, contentStart);
+      const resolved = resolve(keyMatch[1]);
+      if (!resolved || resolved.locale !== locale) complete = false;
+
+      if (closing !== -1) {
+        contentEnd = closing;
+        content = resolved && resolved.value
+          ? translationToHtml(format(resolved.value, rawArgs, resolved.locale), /\sdata-i18n-html\b/.test(attrs))
+          : html.slice(contentStart, closing);
+      }
+    }
+
+    if (!complete) {
+      openingTag = setTagAttribute(openingTag, 'data-i18n-missing', locale);
+    }
+
+    output += html.slice(cursor, match.index) + openingTag + (content || '');
+    cursor = contentEnd;
+    openTag.lastIndex = contentEnd;
+  }
+
+  return output + html.slice(cursor);
+}
+
+/**
+ * Point relative asset URLs one directory up, for pages written to dist/<prefix>/
+ * @param {string} html - Document source
+ * @returns {string} Document with adjusted asset URLs
+ */
+function rebaseAssetUrls(html) {
+  return html
+    .replace(/(\s(?:src|href)=")((?:assets|config)\/)/g, '$1../$2')
+    .replace(/url\((['"]?)((?:assets|config)\/)/g, 'url($1../$2');
+}
+
+/**
+ * Public URL of a page in a locale
+ * @param {Object} manifest - i18n manifest
+ * @param {string} locale - Locale ID
+ * @param {string} pagePath - Path of the page (e.g., '/' or '/data-science.html')
+ * @returns {string} Absolute URL
+ */
+function localizedUrl(manifest, locale, pagePath) {
+  const prefix = locale === manifest.defaultLocale
+    ? ''
+    : `/${getLocalePathPrefix(manifest, locale)}`;
+  return `${SITE_URL}${prefix}${pagePath}`;
+}
+
+/**
+ * Set lang, canonical, hreflang alternates and og:* locale tags
+ * @param {string} html - Document source
+ * @param {Object} manifest - i18n manifest
+ * @param {string} locale - Locale being rendered
+ * @param {string} page - Page file name
+ * @returns {string} Document with localized head tags
+ */
+function localizeHead(html, manifest, locale, page) {
+  const info = getLocaleInfo(manifest, locale);
+  const pagePath = page === 'index.html' ? '/' : `/${page}`;
+  const canonicalMatch = /<link rel="canonical" href="([^"]*)">/.exec(html);
+  const canonicalPath = canonicalMatch
+    ? new URL(canonicalMatch[1]).pathname
+    : pagePath;
+
+  const alternates = manifest.locales
+    .map(id => `  <link rel="alternate" hreflang="${getLocaleInfo(manifest, id).tag}" href="${localizedUrl(manifest, id, pagePath)}">`)
+    .concat(`  <link rel="alternate" hreflang="x-default" href="${localizedUrl(manifest, manifest.defaultLocale, pagePath)}">`)
+    .join('\n');
+
+  const canonical = `<link rel="canonical" href="${localizedUrl(manifest, locale, canonicalPath)}">`;
+
+  let result = html
+    .replace(/<html\b[^>]*>/, `<html lang="${info.tag}" data-prerendered-locale="${escapeHtml(locale)}">`)
+    .replace(/<meta property="og:url" content="[^"]*">/, `<meta property="og:url" content="${localizedUrl(manifest, locale, pagePath)}">`)
+    .replace(/<meta property="og:locale" content="[^"]*">/, `<meta property="og:locale" content="${info.ogLocale}">`);
+
+  if (canonicalMatch) {
+    result = result.replace(canonicalMatch[0], `${canonical}\n${alternates}`);
+  } else {
+    result = result.replace('</head>', `  ${canonical}\n${alternates}\n</head>`);
+  }
+
+  return result;
+}
+
+// ========================================
+// Build
+// ========================================
+
+/**
+ * Render every page in every locale into the output directory
+ * @param {string} outDir - Absolute output directory
+ * @returns {string[]} Written files, relative to outDir
+ * @throws {Error} When outDir is not a new or earlier build directory in the repository
+ */
+function prerender(outDir) {
+  checkOutDir(outDir);
+
+  const manifest = loadManifest();
+  const trees = loadAllLocales(manifest);
+  const siteConfig = readJSON(path.join(ROOT, 'config', 'site.config.json'));
+  const written = [];
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  markBuildOutput(outDir);
+
+  STATIC_ENTRIES.forEach(entry => {
+    const source = path.join(ROOT, entry);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, path.join(outDir, entry), { recursive: true });
+    }
+  });
+
+  listPages().forEach(page => {
+    const source = fs.readFileSync(path.join(ROOT, page), 'utf8');
+
+    manifest.locales.forEach(locale => {
+      const isDefault = locale === manifest.defaultLocale;
+      const resolve = key => resolveTranslation(manifest, trees, key, locale);
+      const format = (value, rawArgs, valueLocale) => typeof value === 'string'
+        ? formatMessage(value, parseI18nArgs(rawArgs, siteConfig), getLocaleInfo(manifest, valueLocale).tag)
+        : value;
+
+      let html = translateHtml(source, resolve, locale, format);
+      html = localizeHead(html, manifest, locale, page);
+      if (!isDefault) html = rebaseAssetUrls(html);
+
+      const relative = isDefault
+        ? page
+        : path.join(getLocalePathPrefix(manifest, locale), page);
+
+      fs.mkdirSync(path.dirname(path.join(outDir, relative)), { recursive: true });
+      fs.writeFileSync(path.join(outDir, relative), html);
+      written.push(relative);
+    });
+  });
+
+  return written;
+}
+
+function main() {
+  let outDir;
+  try {
+    outDir = resolveOutDir(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\nUsage: node scripts/prerender.js [--out dist]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const written = prerender(outDir);
+  console.log(`Pre-rendered ${written.length} pages into ${path.relative(ROOT, outDir) || '.'}/`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { prerender, translateHtml, localizeHead };
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Pullai Data Partners - Config Validation
+ * Checks config/<name>.json against config/schemas/<name>.schema.json for
+ * every file the site loads, printing one line per error with the path of the
+ * value, e.g. `config/testimonials.json: testimonials[2].rating must be 1–5`
+ *
+ * Usage:
+ *   node scripts/validate-config.js [--json]
+ *
+ *   --json  Print the report as JSON instead of text
+ *
+ * Exits with 1 when a file is not valid JSON or does not match its schema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, readJSON } = require('./lib/i18n');
+const { validate, formatError } = require('../assets/js/config-schema');
+
+// Files loaded by loadConfig in assets/js/script.js
+const CONFIG_FILES = ['site.config', 'clients', 'testimonials'];
+
+/**
+ * Validate every config file
+ * @returns {Object<string, Array<{path: string, message: string}>>} Errors per file
+ */
+function validateConfig() {
+  const report = {};
+
+  CONFIG_FILES.forEach(name => {
+    const file = `config/${name}.json`;
+    const schema = readJSON(path.join(ROOT, 'config', 'schemas', `${name}.schema.json`));
+    let data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    } catch (error) {
+      report[file] = [{ path: '', message: `is not valid JSON (${error.message})` }];
+      return;
+    }
+
+    report[file] = validate(schema, data);
+  });
+
+  return report;
+}
+
+function main() {
+  const report = validateConfig();
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    Object.entries(report).forEach(([file, errors]) => {
+      if (errors.length === 0) {
+        console.log(`${file}: ok`);
+      } else {
+        errors.forEach(error => console.log(`${file}: ${formatError(error)}`));
+      }
+    });
+  }
+
+  if (Object.values(report).some(errors => errors.length > 0)) {
+    console.error('Config validation failed');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { CONFIG_FILES, validateConfig };
@@ -0,0 +1,75 @@
+/**
+ * Pullai Data Partners - Tests for scripts/lib/args.js
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../scripts/lib/i18n');
+const { BUILD_MARKER, readOption, resolveOutDir } = require('../scripts/lib/args');
+
+/**
+ * Create a scratch directory at the top of the repository for one test
+ * @param {Object} t - Test context
+ * @param {string} name - Directory name
+ * @param {Object<string, string>} [files] - Files to create in it
+ * @returns {string} Absolute path, removed after the test
+ */
+function scratchDir(t, name, files = {}) {
+  const dir = path.join(ROOT, name);
+  fs.mkdirSync(dir, { recursive: true });
+  Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(dir, file), content));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('--out defaults to dist and resolves against the repository', () => {
+  assert.equal(resolveOutDir([]), path.join(ROOT, 'dist'));
+  assert.equal(resolveOutDir(['--out', 'build/site']), path.join(ROOT, 'build', 'site'));
+});
+
+test('--out without a value is a usage error', () => {
+  assert.throws(() => resolveOutDir(['--out']), /--out needs a value/);
+  assert.throws(() => resolveOutDir(['--out', '--inline']), /--out needs a value/);
+});
+
+test('--out outside the repository, or the repository itself, is refused', () => {
+  assert.throws(() => resolveOutDir(['--out', '.']), /not a directory inside the repository/);
+  assert.throws(() => resolveOutDir(['--out', '..']), /not a directory inside the repository/);
+  assert.throws(() => resolveOutDir(['--out', '../elsewhere']), /not a directory inside the repository/);
+  assert.throws(() => resolveOutDir(['--out', path.parse(ROOT).root]), /not a directory inside the repository/);
+});
+
+test('--out pointing at sources is refused', () => {
+  assert.throws(() => resolveOutDir(['--out', '.git']), /not an earlier build output/);
+  assert.throws(() => resolveOutDir(['--out', 'index.html']), /not an earlier build output/);
+  assert.throws(() => resolveOutDir(['--out', 'CNAME']), /not an earlier build output/);
+  assert.throws(() => resolveOutDir(['--out', 'config']), /not an earlier build output/);
+  assert.throws(() => resolveOutDir(['--out', 'assets/dist']), /not an earlier build output/);
+});
+
+test('--out accepts empty directories and earlier build outputs only', t => {
+  const empty = scratchDir(t, '.args-test-empty');
+  const built = scratchDir(t, '.args-test-built', { [BUILD_MARKER]: '', 'index.html': '' });
+  const other = scratchDir(t, '.args-test-other', { 'notes.txt': 'keep me' });
+
+  assert.equal(resolveOutDir(['--out', path.basename(empty)]), empty);
+  assert.equal(resolveOutDir(['--out', path.basename(built)]), built);
+  assert.throws(() => resolveOutDir(['--out', path.basename(other)]), /not an earlier build output/);
+  assert.throws(() => resolveOutDir(['--out', `${path.basename(other)}/site`]), /not an earlier build output/);
+});
+
+test('readOption returns the fallback when the option is absent', () => {
+  assert.equal(readOption(['--inline'], '--out', 'dist'), 'dist');
+  assert.equal(readOption(['--port', '9000'], '--port', '8080'), '9000');
+});
+
+test('the build scripts refuse the repository as output directory', () => {
+  const { prerender } = require('../scripts/prerender');
+  const { writeContentBundle } = require('../scripts/build-content');
+  assert.throws(() => prerender(ROOT), /not a directory inside the repository/);
+  assert.throws(() => writeContentBundle(ROOT), /not a directory inside the repository/);
+  assert.throws(() => prerender(path.join(ROOT, '.git')), /not an earlier build output/);
+});
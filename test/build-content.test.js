@@ -0,0 +1,36 @@
+/**
+ * Pullai Data Partners - Tests for scripts/build-content.js
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadManifest } = require('../scripts/lib/i18n');
+const { buildContentBundle, getPageTranslations } = require('../scripts/build-content');
+
+const manifest = loadManifest();
+
+test('a page needs its locale chain and the namespaces of its keys', () => {
+  const html = `<html lang="ja" data-prerendered-locale="jp"><body>
+    <h1 data-i18n="biPage.hero.title"></h1>
+    <img data-i18n-attr="alt:dataSciencePage.hero.image;title:nav.home">
+  </body></html>`;
+
+  assert.deepEqual(getPageTranslations(html, manifest), {
+    locales: ['jp', 'en', 'es'],
+    namespaces: ['common', 'biPage', 'dataSciencePage']
+  });
+});
+
+test('pages that were not pre-rendered use the default locale', () => {
+  assert.deepEqual(getPageTranslations('<html><p data-i18n="nav.home"></p></html>', manifest), {
+    locales: [manifest.defaultLocale],
+    namespaces: ['common']
+  });
+});
+
+test('the bundle only carries the requested translations', () => {
+  const bundle = buildContentBundle({ translations: true, locales: ['en', 'es'], namespaces: ['common'] });
+  assert.deepEqual(Object.keys(bundle.i18n.bundles), ['en/common', 'es/common']);
+  assert.ok(bundle.files['site.config']);
+});
@@ -0,0 +1,55 @@
+/**
+ * Pullai Data Partners - Tests for the data-validate rules in assets/js/script.js
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSiteScript } = require('./helpers/site-script');
+
+const warnings = [];
+const site = loadSiteScript({
+  console: { ...console, log() {}, warn: (...args) => warnings.push(args.join(' ')) }
+});
+
+/**
+ * Run a rule inside the script's context
+ * @param {string} name - VALIDATION_RULES key
+ * @param {string} value - Field value
+ * @param {string} [param] - Rule parameter
+ * @returns {boolean} Whether the value is valid
+ */
+function isValid(name, value, param = '') {
+  site.context.ruleInput = { name, value, param };
+  return site.run('VALIDATION_RULES[ruleInput.name](ruleInput.value, ruleInput.param).valid');
+}
+
+test('pattern must match the whole value', () => {
+  assert.equal(isValid('pattern', 'AB-123', '[A-Z]{2}-\\d{3}'), true);
+  assert.equal(isValid('pattern', 'xAB-123', '[A-Z]{2}-\\d{3}'), false);
+  assert.equal(isValid('pattern', 'b', 'a|b'), true);
+  assert.equal(isValid('pattern', 'ab', 'a|b'), false);
+});
+
+test('an invalid pattern lets the value through and is logged once', () => {
+  warnings.length = 0;
+
+  assert.equal(isValid('pattern', 'anything', '[a-z'), true);
+  assert.equal(isValid('pattern', 'anything else', '[a-z'), true);
+
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /Invalid data-validate pattern "\[a-z"/);
+});
+
+test('length and email rules', () => {
+  assert.equal(isValid('minlength', ' a ', '2'), false);
+  assert.equal(isValid('maxlength', 'abc', '3'), true);
+  assert.equal(isValid('email', 'ana@example.com'), true);
+  assert.equal(isValid('email', 'ana@example'), false);
+});
+
+test('phone:CL accepts Chilean numbers with or without the country code', () => {
+  assert.equal(isValid('phone', '+56 9 1234 5678', 'CL'), true);
+  assert.equal(isValid('phone', '(2) 2345-6789', 'CL'), true);
+  assert.equal(isValid('phone', '12345', 'CL'), false);
+});
@@ -0,0 +1,46 @@
+/**
+ * Pullai Data Partners - Load assets/js/script.js outside the browser
+ * Runs the script in a vm context with just enough of window/document for its
+ * top-level code; functions and constants can then be reached with run()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT = path.resolve(__dirname, '..', '..', 'assets', 'js', 'script.js');
+
+/**
+ * Evaluate script.js in a fresh context
+ * @param {Object} [globals] - Extra globals (e.g. a fetch stub)
+ * @returns {{context: Object, run: function(string): *}} Context and evaluator
+ */
+function loadSiteScript(globals = {}) {
+  const storage = new Map();
+  const context = vm.createContext({
+    console: { ...console, log() {} },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    fetch,
+    FormData,
+    URLSearchParams,
+    AbortController,
+    location: { pathname: '/index.html', href: 'http://localhost/index.html', hostname: 'localhost', protocol: 'http:' },
+    document: { readyState: 'loading', addEventListener() {} },
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    ...globals
+  });
+  context.window = context;
+
+  vm.runInContext(fs.readFileSync(SCRIPT, 'utf8'), context, { filename: SCRIPT });
+
+  return { context, run: code => vm.runInContext(code, context) };
+}
+
+module.exports = { loadSiteScript };
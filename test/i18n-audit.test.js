@@ -0,0 +1,31 @@
+/**
+ * Pullai Data Partners - Tests for scripts/i18n-audit.js
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { audit, collectScriptKeys } = require('../scripts/i18n-audit');
+
+test('collectScriptKeys finds the keys script.js reads', () => {
+  const keys = collectScriptKeys();
+
+  // t('…'), showStatus({ key: '…' }) and template keys
+  assert.ok(keys.has('contact.form.wizard.next'));
+  assert.ok(keys.has('contact.form.status.queued'));
+  assert.ok(keys.has('contact.form.errors'));
+  assert.ok(keys.has('languageBanner'));
+});
+
+test('every translation is used by a page or a script', () => {
+  const report = audit();
+
+  Object.entries(report.locales).forEach(([locale, result]) => {
+    assert.deepEqual(result.orphaned, [], `${locale} has orphaned keys`);
+  });
+});
+
+test('the default locale has every key the pages and scripts use', () => {
+  const report = audit();
+  assert.deepEqual(report.locales[report.defaultLocale].missing, []);
+});
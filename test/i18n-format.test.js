@@ -0,0 +1,70 @@
+/**
+ * Pullai Data Partners - Tests for assets/js/i18n-format.js
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatMessage, sanitizeHtml } = require('../assets/js/i18n-format');
+const { translateHtml } = require('../scripts/prerender');
+
+// ========================================
+// sanitizeHtml
+// ========================================
+
+test('sanitizeHtml keeps allowed tags and safe links', () => {
+  assert.equal(
+    sanitizeHtml('<strong>Hola</strong> <a href="mailto:contacto@pullai.cl">escríbenos</a>'),
+    '<strong>Hola</strong> <a href="mailto:contacto@pullai.cl">escríbenos</a>'
+  );
+});
+
+test('sanitizeHtml drops javascript: links', () => {
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+});
+
+test('sanitizeHtml decodes numeric references before checking the scheme', () => {
+  assert.equal(sanitizeHtml('<a href="&#106;avascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(sanitizeHtml('<a href="&#x6A;avascript&#58;alert(1)">x</a>'), '<a>x</a>');
+});
+
+test('sanitizeHtml decodes named references before checking the scheme', () => {
+  assert.equal(sanitizeHtml('<a href="javascript&colon;alert(1)">x</a>'), '<a>x</a>');
+});
+
+test('sanitizeHtml writes hrefs so the browser reads back the checked value', () => {
+  assert.equal(sanitizeHtml('<a href="/p?a=1&amp;b=2">x</a>'), '<a href="/p?a=1&amp;b=2">x</a>');
+  assert.equal(sanitizeHtml('<a href="/p?q=&unknown;">x</a>'), '<a href="/p?q=&amp;unknown;">x</a>');
+});
+
+test('sanitizeHtml escapes tags outside the allowlist', () => {
+  assert.equal(sanitizeHtml('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+});
+
+// ========================================
+// formatMessage
+// ========================================
+
+test('formatMessage formats numbers, plurals and dates for the locale', () => {
+  assert.equal(formatMessage('{n, number, percent} menos', { n: 0.8 }, 'es-CL'), '80% menos');
+  assert.equal(formatMessage('{n, plural, one {# item} other {# items}}', { n: 1 }, 'en-US'), '1 item');
+  assert.equal(formatMessage('{d, date, short}', { d: '2024-03-05T12:00:00Z' }, 'en-US'), '3/5/24');
+});
+
+test('formatMessage shows the raw value when Intl cannot format a placeholder', () => {
+  assert.equal(formatMessage('Total: {n, number, ::currency/XX1}', { n: 1500 }, 'es-CL'), 'Total: 1500');
+  assert.equal(formatMessage('Desde {d, date, long}', { d: 'pronto' }, 'es-CL'), 'Desde pronto');
+  assert.equal(
+    formatMessage('{n, plural, one {# día} other {# días}} ({p, number, percent})', { n: 2, p: 0.5 }, 'not a locale!'),
+    '2 días (0.5)'
+  );
+});
+
+test('translateHtml formats fallback translations with the locale that supplied them', () => {
+  const html = '<p data-i18n="items" data-i18n-args=\'{"n":1}\'></p>';
+  const resolve = () => ({ value: '{n, plural, one {# item} other {# items}}', locale: 'en' });
+  const tags = { en: 'en-US', jp: 'ja-JP' };
+  const format = (value, rawArgs, valueLocale) => formatMessage(value, JSON.parse(rawArgs), tags[valueLocale]);
+
+  assert.match(translateHtml(html, resolve, 'jp', format), />1 item</);
+});
@@ -0,0 +1,178 @@
+/**
+ * Pullai Data Partners - Form providers against scripts/mock-form-server.js
+ * Starts the mock on a free port and sends submissions through every entry of
+ * formProviders (assets/js/script.js): success, 4xx, 5xx and timeout
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { createMockServer, parseOptions } = require('../scripts/mock-form-server');
+const { ROOT } = require('../scripts/lib/i18n');
+const { loadSiteScript } = require('./helpers/site-script');
+
+// Low enough to solve instantly in the tests
+const DIFFICULTY = 8;
+
+let server;
+let baseUrl;
+let formProviders;
+const site = loadSiteScript();
+
+/**
+ * Solve a proof of work the way initAntiSpam does
+ * @returns {{challenge: string, nonce: number}} Valid proof
+ */
+function solveProof() {
+  const challenge = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+  for (let nonce = 0; ; nonce++) {
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (digest[0] === 0) return { challenge, nonce };
+  }
+}
+
+/**
+ * Build a submission with a fresh proof of work
+ * @param {string} message - Message field ("[fail]", "[error]", "[slow]" trigger the mock)
+ * @returns {FormData} Form data
+ */
+function submission(message) {
+  const { challenge, nonce } = solveProof();
+  const formData = new FormData();
+  formData.append('name', 'Ana Pérez');
+  formData.append('_replyto', 'ana@example.com');
+  formData.append('message', message);
+  formData.append('data_stack', 'erp');
+  formData.append('data_stack', 'powerbi');
+  formData.append('_pow_challenge', challenge);
+  formData.append('_pow_nonce', String(nonce));
+  return formData;
+}
+
+/**
+ * Send a submission through a provider
+ * @param {string} name - formProviders key
+ * @param {string} message - Message field
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<Object>} Provider result
+ */
+function send(name, message, signal) {
+  return formProviders[name](submission(message), {
+    endpoint: `${baseUrl}/mock/${name}`,
+    form: { getAttribute: () => 'contact' },
+    config: { email: 'contacto@example.com' },
+    signal
+  });
+}
+
+/**
+ * Copy a value out of the script's vm context, whose objects fail deepEqual
+ * against objects of this one
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Equivalent value of this context
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * GET a raw path, without the URL normalization of fetch
+ * @param {string} rawPath - Request path as sent
+ * @returns {Promise<number>} Status code
+ */
+function getStatus(rawPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: rawPath }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+test.before(async () => {
+  server = createMockServer({ provider: 'webhook', difficulty: DIFFICULTY, log() {} });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  formProviders = site.run('formProviders');
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+['formspree', 'webhook', 'netlify'].forEach(name => {
+  test(`${name}: accepted submission`, async () => {
+    const result = await send(name, 'Hola, queremos un diagnóstico');
+    assert.equal(result.ok, true);
+  });
+
+  test(`${name}: 4xx rejection`, async () => {
+    const result = await send(name, 'Hola [fail]');
+    assert.equal(result.ok, false);
+  });
+
+  test(`${name}: 5xx error`, async () => {
+    const result = await send(name, 'Hola [error]');
+    assert.equal(result.ok, false);
+  });
+
+  test(`${name}: slow backend is aborted`, async () => {
+    await assert.rejects(send(name, 'Hola [slow]', AbortSignal.timeout(200)), { name: 'TimeoutError' });
+  });
+});
+
+test('formspree: field errors are read from the 4xx body', async () => {
+  const result = await send('formspree', 'Hola [fail]');
+  assert.deepEqual(plain(result.messages), [{ field: 'message', message: 'Submission rejected by the mock server' }]);
+});
+
+test('webhook: error message is read from the 4xx body', async () => {
+  const result = await send('webhook', 'Hola [fail]');
+  assert.deepEqual(plain(result.messages), ['Webhook rejected the submission']);
+});
+
+test('mailto: opens the mail client instead of sending', async () => {
+  const result = await send('mailto', 'Hola');
+  assert.equal(result.ok, true);
+  assert.equal(result.messageKey, 'contact.form.status.mailto');
+  assert.match(site.context.location.href, /^mailto:contacto@example\.com\?subject=&body=name%3A%20Ana/);
+});
+
+test('submissions without a valid proof of work are refused', async () => {
+  const response = await fetch(`${baseUrl}/mock/webhook`, {
+    method: 'POST',
+    body: JSON.stringify({ message: 'Hola' }),
+    headers: { 'Content-Type': 'application/json' }
+  });
+  assert.equal(response.status, 403);
+});
+
+test('static files are served with the mock provider in site.config.json', async () => {
+  const response = await fetch(`${baseUrl}/config/site.config.json`);
+  const config = await response.json();
+  assert.equal(config.contact.provider, 'webhook');
+  assert.equal(config.contact.endpoint, '/mock/webhook');
+});
+
+test('paths outside the repository are refused', async () => {
+  assert.equal(await getStatus('/..%2f..%2fetc%2fpasswd'), 404);
+  // A sibling directory sharing the repository's name as a prefix
+  assert.equal(await getStatus(`/..%2f${path.basename(ROOT)}-evil%2Findex.html`), 404);
+});
+
+test('malformed escapes get a 400 instead of crashing the server', async () => {
+  assert.equal(await getStatus('/%E0%A4%A'), 400);
+  assert.equal(await getStatus('/index.html'), 200);
+});
+
+test('command-line options are checked', () => {
+  assert.deepEqual(parseOptions([]), { provider: 'formspree', port: 8080 });
+  assert.deepEqual(parseOptions(['--provider', 'netlify', '--port', '9000']), { provider: 'netlify', port: 9000 });
+  assert.throws(() => parseOptions(['--port']), /--port needs a value/);
+  assert.throws(() => parseOptions(['--port', 'abc']), /--port needs a number/);
+  assert.throws(() => parseOptions(['--port', '70000']), /--port needs a number/);
+  assert.throws(() => parseOptions(['--provider', 'sendgrid']), /Unknown provider sendgrid/);
+});